@@ -1,123 +1,606 @@
-import React, { useState, useEffect } from "react";
+import React, { useState, useEffect, useId, useRef } from "react";
 import { ResponsiveLine } from "@nivo/line";
 import { getMonthYear } from "../../utils/Helpers";
 import { FaInfinity } from "react-icons/fa6";
 import classNames from "classnames";
+import { buildSeries, summarize } from "./lineSeries";
+import {
+  bucketPeriodsPerYear,
+  formatPeriod,
+  inRange,
+  prepareSeries,
+  withinRange,
+} from "./lineBuckets";
+import { aggregate } from "./lineStats";
+import { project } from "./lineForecast";
+import { buildMarkers, targetStatus, yExtent } from "./lineTargets";
+import { formatDelta, formatNumber, useLineTheme } from "./lineTheme";
+import { exportCsv, exportPng, exportSvg, toFilename } from "./lineExport";
 
+const VISUALLY_HIDDEN = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  padding: 0,
+  margin: -1,
+  overflow: "hidden",
+  clip: "rect(0, 0, 0, 0)",
+  whiteSpace: "nowrap",
+  border: 0,
+};
+
+const describeDelta = (delta, theme) => {
+  if (delta === null || delta === undefined) {
+    return null;
+  }
+  if (!isFinite(delta)) {
+    return delta > 0 ? "up from zero" : "down from zero";
+  }
+  return `${delta >= 0 ? "up" : "down"} ${formatDelta(delta, theme)}%`;
+};
+
+const describeSummary = (summary, theme) =>
+  [
+    `${summary.id}: ${formatNumber(summary.amount, theme)}`,
+    describeDelta(summary.delta, theme),
+  ]
+    .filter(Boolean)
+    .join(", ");
+
+
+const Delta = ({ delta, status }) => {
+  const theme = useLineTheme();
+  const deltaClasses = classNames(
+    "delta",
+    delta >= 0 ? "positive" : "negative",
+    isFinite(delta) && "baseline",
+    status,
+  );
+
+  if (delta === null || delta === undefined) {
+    return null;
+  }
+
+  return (
+    <div
+      className={deltaClasses}
+      role="img"
+      aria-label={describeDelta(delta, theme)}
+    >
+      <span aria-hidden="true">{delta >= 0 ? "↑" : "↓"}</span>
+      <span className="number" aria-hidden="true">
+        {isFinite(delta) ? formatDelta(delta, theme) : <FaInfinity />}
+      </span>
+      <span className="percent" aria-hidden="true">
+        %
+      </span>
+    </div>
+  );
+};
+
+const Projected = ({ amount }) => {
+  const theme = useLineTheme();
+
+  return amount === undefined ? null : (
+    <div className="projected">
+      <span aria-hidden="true">→</span>
+      <span style={VISUALLY_HIDDEN}>projected</span>
+      <span className="number">
+        {formatNumber(amount, { ...theme, maximumFractionDigits: 0 })}
+      </span>
+    </div>
+  );
+};
+
+const DataTable = ({ caption, points, formatX }) => {
+  const theme = useLineTheme();
+  const periods = [
+    ...new Set(points.flatMap((serie) => serie.data.map((d) => d.x))),
+  ];
+
+  return (
+    <table style={VISUALLY_HIDDEN} tabIndex={0}>
+      <caption>{caption}</caption>
+      <thead>
+        <tr>
+          <th scope="col">Period</th>
+          {points.map((serie) => (
+            <th key={serie.id} scope="col">
+              {serie.id}
+            </th>
+          ))}
+        </tr>
+      </thead>
+      <tbody>
+        {periods.map((period) => (
+          <tr key={period}>
+            <th scope="row">{formatX(period)}</th>
+            {points.map((serie) => {
+              const point = serie.data.find((d) => d.x === period);
+              return (
+                <td key={serie.id}>
+                  {point ? formatNumber(point.y, theme) : ""}
+                </td>
+              );
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  );
+};
 
-const Line = ({ data, metric, label }) => {
+const ProjectionBand = ({ serie, xScale, yScale }) => {
+  const upper = serie.data.map(
+    (d) => `${xScale(d.data.x)},${yScale(d.data.upper ?? d.data.y)}`,
+  );
+  const lower = serie.data.map(
+    (d) => `${xScale(d.data.x)},${yScale(d.data.lower ?? d.data.y)}`,
+  );
+
+  return (
+    <path
+      d={`M${[...upper, ...lower.reverse()].join("L")}Z`}
+      fill={serie.color}
+      fillOpacity={0.15}
+      stroke="none"
+    />
+  );
+};
+
+const SeriesLines = ({
+  series,
+  lineGenerator,
+  xScale,
+  yScale,
+  innerWidth,
+  innerHeight,
+  lineWidth,
+  target,
+  clipId,
+  belowColor,
+}) => {
+  const y = target
+    ? Math.min(Math.max(yScale(target.value), 0), innerHeight)
+    : innerHeight;
+  const regions = target
+    ? {
+        above: { y: 0, height: y },
+        below: { y, height: innerHeight - y },
+      }
+    : { all: { y: 0, height: innerHeight } };
+  const offTarget = target?.good === "below" ? "above" : "below";
+
+  return (
+    <g>
+      <defs>
+        {Object.entries(regions).map(([region, rect]) => (
+          <clipPath key={region} id={`${clipId}-${region}`}>
+            <rect x={0} width={innerWidth} {...rect} />
+          </clipPath>
+        ))}
+      </defs>
+      {series.map((serie) =>
+        serie.projected ? (
+          <g key={serie.id}>
+            <ProjectionBand serie={serie} xScale={xScale} yScale={yScale} />
+            <path
+              d={lineGenerator(serie.data.map((d) => d.position))}
+              fill="none"
+              stroke={serie.color}
+              strokeWidth={lineWidth}
+              strokeDasharray="4 4"
+            />
+          </g>
+        ) : (
+          Object.keys(regions).map((region) => (
+            <path
+              key={`${serie.id}-${region}`}
+              d={lineGenerator(serie.data.map((d) => d.position))}
+              clipPath={`url(#${clipId}-${region})`}
+              fill="none"
+              stroke={region === offTarget ? belowColor : serie.color}
+              strokeWidth={lineWidth}
+            />
+          ))
+        ),
+      )}
+    </g>
+  );
+};
+
+const RangeHighlight = ({ xScale, innerHeight, from, to, color }) => {
+  const [start, end] = [xScale(from), xScale(to)].sort((a, b) => a - b);
+
+  if (start === undefined || end === undefined) {
+    return null;
+  }
+
+  return (
+    <rect
+      x={start}
+      y={0}
+      width={end - start}
+      height={innerHeight}
+      fill={color}
+      fillOpacity={0.15}
+    />
+  );
+};
+
+// `target` is the single goal that drives the delta badge status and the
+// above/below line colouring; `thresholds` are extra y-axis markers only.
+const Line = ({
+  data,
+  metric,
+  groupBy,
+  label,
+  aggregation = "sum",
+  comparison = "previous",
+  rollingPeriods = 3,
+  periodsPerYear,
+  bucket,
+  fill = "zero",
+  bucketAggregation = "sum",
+  target,
+  thresholds = [],
+  events = [],
+  projection,
+  projectionPeriods = 3,
+  projectionConfidence = 0.95,
+  projectionWindow = 3,
+  projectionAlpha = 0.5,
+  range: controlledRange,
+  onRangeChange,
+}) => {
   
-  const [amount, setAmount] = useState(0);
-  const [delta, setDelta] = useState(0.0);
+  const theme = useLineTheme();
+  const [summaries, setSummaries] = useState([]);
   const [points, setPoints] = useState([]);
+  const [selectedRange, setSelectedRange] = useState(null);
+  const [brush, setBrush] = useState(null);
+  const [exportError, setExportError] = useState(null);
+  const chartRef = useRef(null);
+  const range = controlledRange !== undefined ? controlledRange : selectedRange;
   useEffect(() => {
-    if (data.length > 1) {
-      setAmount(
-        data.reduce((acc, current) => {
-          return current[metric] + acc;
-        }, 0),
-      );
-
-      const previous = data[data.length - 2][metric];
-      const latest = data[data.length - 1][metric];
-      setDelta(((100 * (latest - previous)) / previous).toFixed(1));
-
-      const _points = [
+    const series = prepareSeries(
+      buildSeries(data, metric, groupBy, theme.palette),
+      {
+        bucket,
+        fill,
+        bucketAggregation,
+      },
+    );
+    const projections = series.map((serie) =>
+      projection
+        ? project(serie.rows, {
+            trend: projection,
+            periods: projectionPeriods,
+            confidence: projectionConfidence,
+            window: projectionWindow,
+            alpha: projectionAlpha,
+            bucket,
+          })
+        : [],
+    );
+
+    setSummaries(
+      series.map((serie, index) => ({
+        id: serie.id,
+        color: serie.color,
+        // The projection continues the whole series, so its total has no
+        // meaning for a brushed window.
+        projectedAmount:
+          projections[index].length && !range
+            ? aggregate(
+                [...serie.rows, ...projections[index]].map((row) => row.value),
+                aggregation,
+              )
+            : undefined,
+        ...summarize(withinRange(serie.rows, range), {
+          aggregation,
+          comparison,
+          rollingPeriods,
+          periodsPerYear: periodsPerYear ?? bucketPeriodsPerYear(bucket),
+        }),
+      })),
+    );
+
+    const _points = series.flatMap((serie, index) => {
+      if (!serie.rows.length) {
+        return [];
+      }
+
+      const data = serie.rows.map((row) => ({
+        x: row.period,
+        y: row.value,
+      }));
+      if (!projections[index].length) {
+        return [{ id: serie.id, color: serie.color, data }];
+      }
+
+      return [
+        { id: serie.id, color: serie.color, data },
         {
-          id: metric,
-          data: data.map((data) => ({
-            x: data.period,
-            y: data[metric],
-          })),
+          id: `${serie.id} (projected)`,
+          color: serie.color,
+          projected: true,
+          data: [
+            data[data.length - 1],
+            ...projections[index].map((row) => ({
+              x: row.period,
+              y: row.value,
+              lower: row.lower,
+              upper: row.upper,
+            })),
+          ],
         },
       ];
-      setPoints(_points);
-    } else {
-      setAmount(data?.[0]?.[metric]);
-      setDelta(null);
-      setPoints([]);
+    });
+    setPoints(_points);
+  }, [
+    data,
+    metric,
+    groupBy,
+    aggregation,
+    comparison,
+    rollingPeriods,
+    periodsPerYear,
+    bucket,
+    fill,
+    bucketAggregation,
+    projection,
+    projectionPeriods,
+    projectionConfidence,
+    projectionWindow,
+    projectionAlpha,
+    theme.palette,
+    range,
+  ]);
+
+  const comparing = summaries.length > 1;
+  const { amount, delta, latest, projectedAmount } = summaries[0] ?? {
+    amount: 0,
+    delta: null,
+  };
+  const targets = target ? [target, ...thresholds] : thresholds;
+  const id = useId().replace(/:/g, "");
+  const clipId = `line-series${id}`;
+  const formatX = (x) =>
+    bucket ? formatPeriod(x, bucket, theme.locale) : getMonthYear(x);
+
+  const periods = [
+    ...new Set(points.flatMap((serie) => serie.data.map((d) => d.x))),
+  ];
+  const visiblePoints = points.map((serie) => ({
+    ...serie,
+    data: serie.data.filter((d) => inRange(d.x, range)),
+  }));
+
+  // The x axis is a point scale, so the periods are evenly spaced across the
+  // inner width of the chart.
+  const periodAt = (event) => {
+    const bounds = chartRef.current.getBoundingClientRect();
+    const width = bounds.width - theme.margin.left - theme.margin.right;
+    const x = event.clientX - bounds.left - theme.margin.left;
+
+    if (periods.length < 2 || width <= 0) {
+      return periods[0];
     }
-  }, [data]);
 
-  const deltaClasses = classNames(
-    "delta",
-    delta >= 0 ? "positive" : "negative",
-    isFinite(delta) && "baseline",
-  );
+    const index = Math.round((x / width) * (periods.length - 1));
+    return periods[Math.min(Math.max(index, 0), periods.length - 1)];
+  };
+
+  const changeRange = (next) => {
+    setSelectedRange(next);
+    onRangeChange?.(next);
+  };
+
+  const endBrush = () => {
+    if (!brush) {
+      return;
+    }
+
+    const [start, end] = [brush.from, brush.to].sort(
+      (a, b) => periods.indexOf(a) - periods.indexOf(b),
+    );
+    if (start !== end) {
+      changeRange({ start, end });
+    } else if (range) {
+      changeRange(null);
+    }
+    setBrush(null);
+  };
+
+  const chartSvg = () => chartRef.current.querySelector("svg");
 
   return (
-    <div className="line">
-      <div className="title">{label}</div>
-
-      <div className="content">
-        <div className="value">{amount?.toLocaleString("en-US") ?? 0}</div>
-
-        <div>
-          {isFinite(delta) ? (
-            <div className={deltaClasses}>
-              <span>{delta >= 0 ? "↑" : "↓"}</span>
-              <span className="number">{Math.abs(delta)}</span>
-              <span className="percent">%</span>
-            </div>
-          ) : null}
+    <div
+      className={classNames("line", theme.darkMode && "dark")}
+      role="figure"
+      aria-labelledby={`line-title${id}`}
+      aria-describedby={`line-summary${id}`}
+    >
+      <div className="title" id={`line-title${id}`}>
+        {label}
+      </div>
+      <p id={`line-summary${id}`} style={VISUALLY_HIDDEN}>
+        {summaries.map((summary) => describeSummary(summary, theme)).join(". ")}
+      </p>
+
+      {comparing ? (
+        <ul className="legend">
+          {summaries.map((summary) => (
+            <li key={summary.id} className="content">
+              <span
+                className="swatch"
+                style={{ backgroundColor: summary.color }}
+              />
+              <span className="series">{summary.id}</span>
+              <div className="value">{formatNumber(summary.amount, theme)}</div>
+              <Projected amount={summary.projectedAmount} />
+              <Delta
+                delta={summary.delta}
+                status={targetStatus(summary.latest, target)}
+              />
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="content">
+          <div className="value">{formatNumber(amount, theme)}</div>
+          <Projected amount={projectedAmount} />
+
+          <div>
+            <Delta delta={delta} status={targetStatus(latest, target)} />
+          </div>
         </div>
+      )}
+
+      <div className="actions">
+        {range && (
+          <button type="button" onClick={() => changeRange(null)}>
+            Reset range
+          </button>
+        )}
+        <button
+          type="button"
+          onClick={() => exportCsv(visiblePoints, toFilename(label, "csv"))}
+        >
+          CSV
+        </button>
+        <button
+          type="button"
+          onClick={() => {
+            setExportError(null);
+            exportPng(chartSvg(), toFilename(label, "png")).catch((error) =>
+              setExportError(error.message),
+            );
+          }}
+        >
+          PNG
+        </button>
+        <button
+          type="button"
+          onClick={() => exportSvg(chartSvg(), toFilename(label, "svg"))}
+        >
+          SVG
+        </button>
+        {exportError && (
+          <p className="error" role="alert">
+            {exportError}
+          </p>
+        )}
       </div>
 
+      <DataTable caption={label} points={visiblePoints} formatX={formatX} />
       
       
       
-      <ResponsiveLine
-        data={points}
-        margin={{ top: 10, right: 10, bottom: 10, left: 10 }}
-        yScale={{
-          type: "linear",
-          min: 0,
-          max: points.length
-            ? Math.max(...points[0].data.map((d) => d.y)) * 1.5
-            : 10000,
+      <div
+        className="chart"
+        ref={chartRef}
+        style={{ position: "relative", width: "100%", height: "100%" }}
+        onMouseDown={(event) => {
+          const period = periodAt(event);
+          setBrush({ from: period, to: period });
         }}
-        tooltip={(datum) => {
-          if (delta) {
-            return (
-              <div className="line-tooltip">
-                <span className="label">
-                  {getMonthYear(datum.point.data.x)}
-                </span>
-                :<span className="value"> {datum.point.data.y}</span>
-              </div>
-            );
-          } else {
-            return null;
+        onMouseMove={(event) => {
+          if (brush) {
+            setBrush({ ...brush, to: periodAt(event) });
           }
         }}
-        markers={[
-          {
-            axis: "y",
-            lineStyle: {
-              stroke: "#717d86",
-              strokeWidth: 1.5,
+        onMouseUp={endBrush}
+        onMouseLeave={endBrush}
+      >
+        <ResponsiveLine
+          data={points}
+          margin={theme.margin}
+          yScale={{
+            type: "linear",
+            ...yExtent(
+              points.flatMap((serie) => serie.data.map((d) => d.upper ?? d.y)),
+              targets,
+              points
+                .filter((serie) => serie.projected)
+                .flatMap((serie) => serie.data.map((d) => d.lower ?? d.y)),
+            ),
+          }}
+          tooltip={(datum) => (
+            <div className="line-tooltip">
+              <span className="label">{formatX(datum.point.data.x)}</span>
+              {(comparing || projection) && (
+                <span className="series"> ({datum.point.serieId})</span>
+              )}
+              :
+              <span className="value">
+                {" "}
+                {formatNumber(datum.point.data.y, theme)}
+              </span>
+            </div>
+          )}
+          axisBottom={{ format: formatX }}
+          axisLeft={{ format: (value) => formatNumber(value, theme) }}
+          markers={buildMarkers({
+            targets,
+            events,
+            bucket,
+            colors: theme.colors,
+          })}
+          layers={[
+            "grid",
+            "markers",
+            "axes",
+            "areas",
+            "crosshair",
+            (props) => {
+              const selection = brush
+                ? brush
+                : range && { from: range.start, to: range.end };
+              return selection ? (
+                <RangeHighlight
+                  {...props}
+                  {...selection}
+                  color={theme.colors.marker}
+                />
+              ) : null;
+            },
+            (props) => (
+              <SeriesLines
+                {...props}
+                target={target}
+                clipId={clipId}
+                belowColor={theme.colors.below}
+              />
+            ),
+            "points",
+            "slices",
+            "mesh",
+            "legends",
+          ]}
+          curve={"natural"}
+          enableGridX={false}
+          enableGridY={false}
+          lineWidth={theme.lineWidth}
+          colors={{ datum: "color" }}
+          pointSize={1}
+          useMesh={true}
+          enableCrosshair={false}
+          theme={{
+            text: {
+              fill: theme.colors.text,
             },
-            value: 0,
-          },
-        ]}
-        curve={"natural"}
-        enableGridX={false}
-        enableGridY={false}
-        lineWidth={1.5}
-        colors={["#26de81"]}
-        pointSize={1}
-        useMesh={true}
-        enableCrosshair={false}
-        theme={{
-          axis: {
-            ticks: {
-              line: {
-                stroke: "none",
+            axis: {
+              ticks: {
+                line: {
+                  stroke: "none",
+                },
               },
             },
-          },
-        }}
-      />
+          }}
+        />
+      </div>
     </div>
   );
 };
@@ -1,23 +1,19 @@
-function outerFunction(outerParam: number): void {
-    console.log("Outer function started with parameter:", outerParam);
+import { createTracer } from './trace';
 
-    function middleFunction(middleParam: string): void {
-        console.log("Middle function started with parameter:", middleParam);
+const tracer = createTracer({ enabled: process.env.NODE_ENV !== 'production' });
 
-        function innerFunction(innerParam: boolean): void {
-            console.log("Inner function started with parameter:", innerParam);
-            function deepestFunction(deepestParam: number[]): void {
-                console.log("Deepest function started with parameter:", deepestParam);
-                console.log("Deepest function ended");
-            }
+const outerFunction = tracer.wrap(function outerFunction(outerParam: number): void {
+    const middleFunction = tracer.wrap(function middleFunction(middleParam: string): void {
+        const innerFunction = tracer.wrap(function innerFunction(innerParam: boolean): void {
+            const deepestFunction = tracer.wrap(function deepestFunction(deepestParam: number[]): void {});
             deepestFunction([1, 2, 3]);
-        }
+        });
         innerFunction(true);
         innerFunction(false);
-        console.log("Middle function ended");
-    }
+    });
     middleFunction("Middle parameter value");
-    console.log("Outer function ended");
-}
+});
 
 outerFunction(5);
+
+console.log(tracer.exportTree());
@@ -1,67 +1,209 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { isMathError } from './math';
+import { ExpressionError, parseExpression, run, Variables } from './expression';
+
+interface HistoryEntry {
+    expression: string;
+    assignTo?: string;
+    value?: number;
+    error?: string;
+}
+
+const HISTORY_KEY = 'math-component-history';
+
+const EXAMPLES = [
+    'add(5, 3)',
+    'subtract(5, 3)',
+    'multiply(5, 3)',
+    'divide(5, 3)',
+    'modulus(5, 3)',
+    'power(5, 3)',
+    'squareRoot(25)',
+    'absolute(-5)',
+    'round(5.4)',
+    'floor(5.8)',
+    'ceiling(5.2)',
+    'log(10)',
+    'sin(pi / 2)',
+];
+
+/**
+ * @description collects the variables assigned by the successful entries of a history,
+ * later assignments overriding earlier ones.
+ *
+ * @param { HistoryEntry[] } history - evaluated entries, oldest first.
+ *
+ * @returns { Variables } the variables available to the next expression.
+ */
+function variablesOf(history: HistoryEntry[]): Variables {
+    return history.reduce<Variables>(
+        (variables, entry) =>
+            entry.assignTo && entry.value !== undefined
+                ? { ...variables, [entry.assignTo]: entry.value }
+                : variables,
+        {},
+    );
+}
 
 /**
- * @description generates a list of math results by calling various functions and
- * combining their outputs.
- * 
- * @returns { number } a list of math results, each consisting of a result and its explanation.
+ * @description evaluates `expression` against the variables defined so far and turns
+ * the outcome into a history entry.
+ *
+ * @param { string } expression - expression typed by the user.
+ *
+ * @param { Variables } variables - variables defined by earlier entries.
+ *
+ * @returns { HistoryEntry | ExpressionError } the entry to record, or the syntax or
+ * name error to show inline instead.
+ */
+function evaluateEntry(expression: string, variables: Variables): HistoryEntry | ExpressionError {
+    const { result, assignTo } = run(expression, variables);
+
+    if (result instanceof ExpressionError) {
+        return result;
+    }
+    return isMathError(result)
+        ? { expression, assignTo, error: result.message }
+        : { expression, assignTo, value: result };
+}
+
+/**
+ * @description checks that a value read back from storage is a well-formed entry:
+ * a string expression with either a finite value or an error message.
+ *
+ * @param { unknown } entry - one element of the parsed history.
+ *
+ * @returns { boolean } whether `entry` can be used as a `HistoryEntry`.
+ */
+function isHistoryEntry(entry: unknown): entry is HistoryEntry {
+    if (typeof entry !== 'object' || entry === null) {
+        return false;
+    }
+
+    const { expression, assignTo, value, error } = entry as Record<string, unknown>;
+    return (
+        typeof expression === 'string' &&
+        (assignTo === undefined || typeof assignTo === 'string') &&
+        (typeof value === 'number' && Number.isFinite(value)
+            ? error === undefined
+            : value === undefined && typeof error === 'string')
+    );
+}
+
+/**
+ * @description reads the persisted history, falling back to the built-in examples
+ * when nothing has been stored yet or storage is unavailable.
+ *
+ * @returns { HistoryEntry[] } the history to start from.
+ */
+function loadHistory(): HistoryEntry[] {
+    try {
+        const stored = window.localStorage.getItem(HISTORY_KEY);
+        const parsed: unknown = stored ? JSON.parse(stored) : null;
+        if (Array.isArray(parsed)) {
+            return parsed.filter(isHistoryEntry);
+        }
+    } catch {
+        // Storage can be disabled or hold malformed data; start from the examples.
+    }
+
+    return EXAMPLES.reduce<HistoryEntry[]>((history, expression) => {
+        const entry = evaluateEntry(expression, variablesOf(history));
+        return entry instanceof ExpressionError ? history : [...history, entry];
+    }, []);
+}
+
+/**
+ * @description lets the user type math expressions, shows syntax errors inline as they
+ * type, and keeps a persistent history of evaluated expressions and their results.
+ * Operations without a finite result show their error message instead of a value.
+ *
+ * @returns { JSX.Element } an expression form followed by the history list.
  */
 const MathComponent: React.FC = () => {
+    const [input, setInput] = useState('');
+    const [error, setError] = useState<ExpressionError | null>(null);
+    const [history, setHistory] = useState<HistoryEntry[]>(loadHistory);
+
+    useEffect(() => {
+        try {
+            window.localStorage.setItem(HISTORY_KEY, JSON.stringify(history));
+        } catch {
+            // The history still works for this session without storage.
+        }
+    }, [history]);
+
     /**
-     * @description takes two numerical arguments and returns their sum.
-     * 
-     * @param { number } a - 1st numerical value to be added to the `b` input parameter.
-     * 
-     * @param { number } b - 2nd number to be added to the first number provided in the
-     * `a` input parameter, and its value is used in the calculation of the function's output.
-     * 
-     * @returns { number } the sum of its two input arguments.
+     * @description updates the input and re-parses it so syntax errors show while
+     * typing.
+     *
+     * @param { React.ChangeEvent<HTMLInputElement> } event - change event of the input.
      */
-    function add(a: number, b: number): number {
-        return a + b;
+    function handleChange(event: React.ChangeEvent<HTMLInputElement>): void {
+        const expression = event.target.value;
+        const parsed = parseExpression(expression);
+
+        setInput(expression);
+        setError(expression.trim() && parsed instanceof ExpressionError ? parsed : null);
     }
 
     /**
-     * @description takes a `number` input, `a`, and returns its sine value using the
-     * `Math.sin()` method.
-     * 
-     * @param { number } a - angular velocity of a circular motion for which the sine is
-     * calculated in the function.
-     * 
-     * @returns { number } the sine of the input number.
+     * @description evaluates the input and appends it to the history, unless it has a
+     * syntax or name error, which stays inline so the user can fix it.
+     *
+     * @param { React.FormEvent } event - submit event of the form.
      */
-    function sin(a: number): number {
-        return Math.sin(a);
-    }
+    function handleSubmit(event: React.FormEvent): void {
+        event.preventDefault();
+        if (!input.trim()) {
+            return;
+        }
 
-    const results = [
-        add(5, 3),
-        subtract(5, 3),
-        multiply(5, 3),
-        divide(5, 3),
-        modulus(5, 3),
-        power(5, 3),
-        squareRoot(25),
-        absolute(-5),
-        round(5.4),
-        floor(5.8),
-        ceiling(5.2),
-        log(10),
-        sin(Math.PI / 2)
-    ];
+        const entry = evaluateEntry(input, variablesOf(history));
+        if (entry instanceof ExpressionError) {
+            setError(entry);
+            return;
+        }
+
+        setHistory([...history, entry]);
+        setInput('');
+        setError(null);
+    }
 
     return (
         <div>
             <h1>Math Results</h1>
+            <form onSubmit={handleSubmit}>
+                <input
+                    type="text"
+                    value={input}
+                    onChange={handleChange}
+                    placeholder="e.g. x = squareRoot(16) * (2 + 3)"
+                    aria-label="Expression"
+                    aria-invalid={error !== null}
+                    aria-describedby={error ? 'expression-error' : undefined}
+                />
+                <button type="submit">Evaluate</button>
+            </form>
+            {error && (
+                <p id="expression-error" role="alert">
+                    {error.message} at column {error.position + 1}
+                </p>
+            )}
             {/**
-             * @description lists results based on the `results` array. Each result is represented
-             * as a list item with a unique key and a descriptive label.
+             * @description lists the evaluated expressions, oldest first. Each entry is
+             * labelled with the expression that produced it and shows its value or error.
              */}
             <ul>
-                {results.map((result, index) => (
-                    <li key={index}>Result {index + 1}: {result}</li>
+                {history.map((entry, index) => (
+                    <li key={index}>
+                        {entry.expression}: {entry.error ?? entry.value}
+                    </li>
                 ))}
             </ul>
+            <button type="button" onClick={() => setHistory([])}>
+                Clear history
+            </button>
         </div>
     );
 }
@@ -0,0 +1,73 @@
+import { describe, expect, it } from 'vitest';
+import { ExpressionError, parseExpression, run, Variables } from './expression';
+import { MathError } from './math';
+
+function value(source: string, variables?: Variables): unknown {
+    return run(source, variables).result;
+}
+
+function expectError(source: string, message: string, position: number): void {
+    const { result } = run(source);
+    expect(result).toBeInstanceOf(ExpressionError);
+    expect((result as ExpressionError).message).toBe(message);
+    expect((result as ExpressionError).position).toBe(position);
+}
+
+describe('expression', () => {
+    it('applies the usual operator precedence', () => {
+        expect(value('1 + 2 * 3')).toBe(7);
+        expect(value('(1 + 2) * 3')).toBe(9);
+        expect(value('10 - 4 - 3')).toBe(3);
+        expect(value('12 / 3 / 2')).toBe(2);
+        expect(value('7 % 4 * 2')).toBe(6);
+        expect(value('2 * 3 ^ 2')).toBe(18);
+    });
+
+    it('makes ^ right-associative and tighter than a leading sign', () => {
+        expect(value('2^3^2')).toBe(512);
+        expect(value('-2^2')).toBe(-4);
+        expect(value('(-2)^2')).toBe(4);
+        expect(value('2^-1')).toBe(0.5);
+        expect(value('--3')).toBe(3);
+    });
+
+    it('resolves variables, constants and function calls', () => {
+        expect(value('x * 2', { x: 4 })).toBe(8);
+        expect(value('pi')).toBe(Math.PI);
+        expect(value('add(1, 2) * squareRoot(16)')).toBe(12);
+        expect(value('pi', { pi: 3 })).toBe(3);
+    });
+
+    it('parses assignments', () => {
+        expect(run('x = 1 + 2')).toEqual({ result: 3, assignTo: 'x' });
+        expect(parseExpression('y = x')).toEqual({
+            assignTo: 'y',
+            expression: { type: 'variable', name: 'x', position: 4 },
+        });
+        expectError('x =', 'Unexpected end of expression', 3);
+        expectError('a=b=1', 'Unexpected "="', 3);
+        expectError('pi = 3', 'Cannot assign to "pi"', 0);
+        expectError('add = 3', 'Cannot assign to "add"', 0);
+    });
+
+    it('reports syntax errors with their position', () => {
+        expectError('1 +', 'Unexpected end of expression', 3);
+        expectError('(1', 'Expected ")"', 2);
+        expectError('1 2', 'Unexpected "2"', 2);
+        expectError('1 $ 2', 'Unexpected character "$"', 2);
+        expectError('2 * 1e400', 'Number is too large: 1e400', 4);
+    });
+
+    it('reports unknown names and wrong arity', () => {
+        expectError('y + 1', 'Unknown variable "y"', 0);
+        expectError('1 + nope(2)', 'Unknown function "nope"', 4);
+        expectError('add(1,2,3)', '"add" expects 2 arguments', 0);
+        expectError('sin()', '"sin" expects 1 argument', 0);
+    });
+
+    it('returns math errors from the operations', () => {
+        expect(value('1 / 0')).toBeInstanceOf(MathError);
+        expect(value('squareRoot(-1)')).toBeInstanceOf(MathError);
+        expect(value('10 ^ 400')).toBeInstanceOf(MathError);
+    });
+});
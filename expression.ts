@@ -0,0 +1,371 @@
+import {
+    add,
+    subtract,
+    multiply,
+    divide,
+    modulus,
+    power,
+    squareRoot,
+    absolute,
+    round,
+    floor,
+    ceiling,
+    log,
+    sin,
+    MathResult,
+} from './math';
+
+/**
+ * @description syntax or name-resolution error in an expression. `position` is the
+ * index of the offending character in the source, so it can be pointed at inline.
+ */
+export class ExpressionError extends Error {
+    readonly position: number;
+
+    constructor(message: string, position: number) {
+        super(message);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
+type Token =
+    | { type: 'number'; value: number; position: number }
+    | { type: 'name'; value: string; position: number }
+    | { type: 'operator'; value: string; position: number }
+    | { type: 'end'; position: number };
+
+export type ExpressionNode =
+    | { type: 'number'; value: number }
+    | { type: 'variable'; name: string; position: number }
+    | { type: 'unary'; operator: '-' | '+'; operand: ExpressionNode }
+    | { type: 'binary'; operator: string; left: ExpressionNode; right: ExpressionNode }
+    | { type: 'call'; name: string; args: ExpressionNode[]; position: number };
+
+export interface Statement {
+    assignTo?: string;
+    expression: ExpressionNode;
+}
+
+export type Variables = Record<string, number>;
+
+export const CONSTANTS: Variables = {
+    pi: Math.PI,
+    e: Math.E,
+};
+
+const FUNCTIONS: Record<string, (...args: number[]) => MathResult> = {
+    add,
+    subtract,
+    multiply,
+    divide,
+    modulus,
+    power,
+    squareRoot,
+    absolute,
+    round,
+    floor,
+    ceiling,
+    log,
+    sin,
+};
+
+const OPERATORS: Record<string, (a: number, b: number) => MathResult> = {
+    '+': add,
+    '-': subtract,
+    '*': multiply,
+    '/': divide,
+    '%': modulus,
+    '^': power,
+};
+
+const has = (table: object, name: string): boolean =>
+    Object.prototype.hasOwnProperty.call(table, name);
+
+const NUMBER = /^(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?/;
+const NAME = /^[A-Za-z_]\w*/;
+
+/**
+ * @description splits an expression into number, name and operator tokens.
+ *
+ * @param { string } source - expression typed by the user.
+ *
+ * @returns { Token[] } the tokens, terminated by an `end` token.
+ */
+function tokenize(source: string): Token[] {
+    const tokens: Token[] = [];
+    let position = 0;
+
+    while (position < source.length) {
+        const rest = source.slice(position);
+
+        if (/^\s/.test(rest)) {
+            position += 1;
+            continue;
+        }
+
+        const number = NUMBER.exec(rest);
+        if (number) {
+            const value = Number(number[0]);
+            if (!Number.isFinite(value)) {
+                throw new ExpressionError(`Number is too large: ${number[0]}`, position);
+            }
+            tokens.push({ type: 'number', value, position });
+            position += number[0].length;
+            continue;
+        }
+
+        const name = NAME.exec(rest);
+        if (name) {
+            tokens.push({ type: 'name', value: name[0], position });
+            position += name[0].length;
+            continue;
+        }
+
+        if ('+-*/%^(),='.includes(rest[0])) {
+            tokens.push({ type: 'operator', value: rest[0], position });
+            position += 1;
+            continue;
+        }
+
+        throw new ExpressionError(`Unexpected character "${rest[0]}"`, position);
+    }
+
+    tokens.push({ type: 'end', position });
+    return tokens;
+}
+
+/**
+ * @description recursive-descent parser over the tokens of a single statement, from
+ * the loosest binding level (`+`, `-`) down to the tightest (`^`, calls, literals).
+ *
+ * @param { Token[] } tokens - output of `tokenize`.
+ *
+ * @returns { Statement } the parsed statement.
+ */
+function parseTokens(tokens: Token[]): Statement {
+    let index = 0;
+
+    const peek = (): Token => tokens[index];
+    const isOperator = (value: string): boolean => {
+        const token = peek();
+        return token.type === 'operator' && token.value === value;
+    };
+    const expect = (value: string): void => {
+        if (!isOperator(value)) {
+            throw new ExpressionError(`Expected "${value}"`, peek().position);
+        }
+        index += 1;
+    };
+    const takeOperator = (): string => {
+        const token = peek();
+        index += 1;
+        return token.type === 'operator' ? token.value : '';
+    };
+
+    const parsePrimary = (): ExpressionNode => {
+        const token = peek();
+
+        if (token.type === 'number') {
+            index += 1;
+            return { type: 'number', value: token.value };
+        }
+
+        if (token.type === 'name') {
+            index += 1;
+            if (!isOperator('(')) {
+                return { type: 'variable', name: token.value, position: token.position };
+            }
+
+            index += 1;
+            const args: ExpressionNode[] = [];
+            if (!isOperator(')')) {
+                args.push(parseSum());
+                while (isOperator(',')) {
+                    index += 1;
+                    args.push(parseSum());
+                }
+            }
+            expect(')');
+            return { type: 'call', name: token.value, args, position: token.position };
+        }
+
+        if (isOperator('(')) {
+            index += 1;
+            const expression = parseSum();
+            expect(')');
+            return expression;
+        }
+
+        throw new ExpressionError(
+            token.type === 'end' ? 'Unexpected end of expression' : `Unexpected "${token.value}"`,
+            token.position,
+        );
+    };
+
+    // `^` is right-associative and binds tighter than a leading sign, so
+    // `-2 ^ 2` is `-(2 ^ 2)`.
+    const parsePower = (): ExpressionNode => {
+        const base = parsePrimary();
+        if (isOperator('^')) {
+            index += 1;
+            return { type: 'binary', operator: '^', left: base, right: parseUnary() };
+        }
+        return base;
+    };
+
+    const parseUnary = (): ExpressionNode => {
+        if (isOperator('-') || isOperator('+')) {
+            const operator = takeOperator() as '-' | '+';
+            return { type: 'unary', operator, operand: parseUnary() };
+        }
+        return parsePower();
+    };
+
+    const parseProduct = (): ExpressionNode => {
+        let left = parseUnary();
+        while (isOperator('*') || isOperator('/') || isOperator('%')) {
+            const operator = takeOperator();
+            left = { type: 'binary', operator, left, right: parseUnary() };
+        }
+        return left;
+    };
+
+    const parseSum = (): ExpressionNode => {
+        let left = parseProduct();
+        while (isOperator('+') || isOperator('-')) {
+            const operator = takeOperator();
+            left = { type: 'binary', operator, left, right: parseProduct() };
+        }
+        return left;
+    };
+
+    let assignTo: string | undefined;
+    const first = tokens[0];
+    const second = tokens[1];
+    if (first.type === 'name' && second?.type === 'operator' && second.value === '=') {
+        if (has(CONSTANTS, first.value) || has(FUNCTIONS, first.value)) {
+            throw new ExpressionError(`Cannot assign to "${first.value}"`, first.position);
+        }
+        assignTo = first.value;
+        index = 2;
+    }
+
+    const expression = parseSum();
+    const rest = peek();
+    if (rest.type !== 'end') {
+        throw new ExpressionError(`Unexpected "${rest.value}"`, rest.position);
+    }
+
+    return { assignTo, expression };
+}
+
+/**
+ * @description parses an expression such as `x = squareRoot(16) * (2 + 3) ^ 2`.
+ *
+ * @param { string } source - expression typed by the user.
+ *
+ * @returns { Statement | ExpressionError } the parsed statement, or the first syntax
+ * error found in `source`.
+ */
+export function parseExpression(source: string): Statement | ExpressionError {
+    try {
+        return parseTokens(tokenize(source));
+    } catch (error) {
+        if (error instanceof ExpressionError) {
+            return error;
+        }
+        throw error;
+    }
+}
+
+/**
+ * @description evaluates a parsed expression, stopping at the first error returned
+ * by a math operation.
+ *
+ * @param { ExpressionNode } node - expression to evaluate.
+ *
+ * @param { Variables } variables - values of the variables defined so far.
+ *
+ * @returns { MathResult | ExpressionError } the value of `node`, a `MathError` from
+ * one of the operations, or an `ExpressionError` for an unknown name or wrong arity.
+ */
+export function evaluate(node: ExpressionNode, variables: Variables = {}): MathResult | ExpressionError {
+    switch (node.type) {
+        case 'number':
+            return node.value;
+
+        case 'variable': {
+            if (has(variables, node.name)) {
+                return variables[node.name];
+            }
+            return has(CONSTANTS, node.name)
+                ? CONSTANTS[node.name]
+                : new ExpressionError(`Unknown variable "${node.name}"`, node.position);
+        }
+
+        case 'unary': {
+            const operand = evaluate(node.operand, variables);
+            if (typeof operand !== 'number') {
+                return operand;
+            }
+            return node.operator === '-' ? -operand : operand;
+        }
+
+        case 'binary': {
+            const left = evaluate(node.left, variables);
+            if (typeof left !== 'number') {
+                return left;
+            }
+            const right = evaluate(node.right, variables);
+            if (typeof right !== 'number') {
+                return right;
+            }
+            return OPERATORS[node.operator](left, right);
+        }
+
+        case 'call': {
+            if (!has(FUNCTIONS, node.name)) {
+                return new ExpressionError(`Unknown function "${node.name}"`, node.position);
+            }
+            const fn = FUNCTIONS[node.name];
+            if (node.args.length !== fn.length) {
+                return new ExpressionError(
+                    `"${node.name}" expects ${fn.length} argument${fn.length === 1 ? '' : 's'}`,
+                    node.position,
+                );
+            }
+
+            const args: number[] = [];
+            for (const arg of node.args) {
+                const value = evaluate(arg, variables);
+                if (typeof value !== 'number') {
+                    return value;
+                }
+                args.push(value);
+            }
+            return fn(...args);
+        }
+    }
+}
+
+/**
+ * @description parses and evaluates `source` in one step.
+ *
+ * @param { string } source - expression typed by the user.
+ *
+ * @param { Variables } variables - values of the variables defined so far.
+ *
+ * @returns { { result: MathResult | ExpressionError; assignTo?: string } } the value or
+ * error, and the variable it should be stored in when `source` is an assignment.
+ */
+export function run(
+    source: string,
+    variables: Variables = {},
+): { result: MathResult | ExpressionError; assignTo?: string } {
+    const statement = parseExpression(source);
+    if (statement instanceof ExpressionError) {
+        return { result: statement };
+    }
+    return { result: evaluate(statement.expression, variables), assignTo: statement.assignTo };
+}
@@ -0,0 +1,219 @@
+import { aggregate } from "./lineStats";
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const utc = (date) => ({
+  year: date.getUTCFullYear(),
+  month: date.getUTCMonth(),
+  day: date.getUTCDate(),
+});
+
+const addMonths = (date, months) => {
+  const { year, month, day } = utc(date);
+  return new Date(Date.UTC(year, month + months, day));
+};
+
+const formatDate = (date, options, locale = "en-US") =>
+  date.toLocaleDateString(locale, { timeZone: "UTC", ...options });
+
+export const BUCKETS = {
+  day: {
+    periodsPerYear: 365,
+    floor: (date) => {
+      const { year, month, day } = utc(date);
+      return new Date(Date.UTC(year, month, day));
+    },
+    next: (date) => new Date(date.getTime() + DAY),
+    format: (date, locale) =>
+      formatDate(
+        date,
+        { month: "short", day: "numeric", year: "numeric" },
+        locale,
+      ),
+  },
+  week: {
+    periodsPerYear: 52,
+    // Weeks start on Monday, as in ISO 8601.
+    floor: (date) => {
+      const { year, month, day } = utc(date);
+      const offset = (date.getUTCDay() + 6) % 7;
+      return new Date(Date.UTC(year, month, day - offset));
+    },
+    next: (date) => new Date(date.getTime() + 7 * DAY),
+    format: (date, locale) =>
+      `Week of ${formatDate(
+        date,
+        { month: "short", day: "numeric", year: "numeric" },
+        locale,
+      )}`,
+  },
+  month: {
+    periodsPerYear: 12,
+    floor: (date) => {
+      const { year, month } = utc(date);
+      return new Date(Date.UTC(year, month, 1));
+    },
+    next: (date) => addMonths(date, 1),
+    format: (date, locale) =>
+      formatDate(date, { month: "short", year: "numeric" }, locale),
+  },
+  quarter: {
+    periodsPerYear: 4,
+    floor: (date) => {
+      const { year, month } = utc(date);
+      return new Date(Date.UTC(year, month - (month % 3), 1));
+    },
+    next: (date) => addMonths(date, 3),
+    format: (date) =>
+      `Q${Math.floor(date.getUTCMonth() / 3) + 1} ${date.getUTCFullYear()}`,
+  },
+  year: {
+    periodsPerYear: 1,
+    floor: (date) => new Date(Date.UTC(date.getUTCFullYear(), 0, 1)),
+    next: (date) => addMonths(date, 12),
+    format: (date) => String(date.getUTCFullYear()),
+  },
+};
+
+const getBucket = (bucket) => {
+  if (!BUCKETS[bucket]) {
+    throw new Error(`Unknown bucket "${bucket}"`);
+  }
+  return BUCKETS[bucket];
+};
+
+// Periods in a year, for year-over-year comparisons. Unbucketed data is
+// treated as monthly.
+export const bucketPeriodsPerYear = (bucket) =>
+  bucket ? getBucket(bucket).periodsPerYear : 12;
+
+const toTime = (period) => new Date(period).getTime();
+
+const comparePeriods = (a, b) => {
+  const timeA = toTime(a.period);
+  const timeB = toTime(b.period);
+
+  if (Number.isNaN(timeA) || Number.isNaN(timeB)) {
+    return String(a.period).localeCompare(String(b.period));
+  }
+  return timeA - timeB;
+};
+
+// Ranges are inclusive { start, end } pairs of periods.
+export const inRange = (period, range) =>
+  !range ||
+  (comparePeriods({ period }, { period: range.start }) >= 0 &&
+    comparePeriods({ period }, { period: range.end }) <= 0);
+
+export const withinRange = (rows, range) =>
+  range ? rows.filter((row) => inRange(row.period, range)) : rows;
+
+export const toBucketKey = (period, bucket) =>
+  getBucket(bucket).floor(new Date(period)).toISOString();
+
+export const formatPeriod = (period, bucket, locale) =>
+  getBucket(bucket).format(new Date(period), locale);
+
+const bucketRows = (rows, bucket, bucketAggregation) => {
+  const { floor } = getBucket(bucket);
+  const buckets = new Map();
+
+  rows.forEach((row) => {
+    const date = new Date(row.period);
+    if (Number.isNaN(date.getTime())) {
+      return;
+    }
+
+    const key = floor(date).toISOString();
+    if (!buckets.has(key)) {
+      buckets.set(key, []);
+    }
+    buckets.get(key).push(row.value);
+  });
+
+  return new Map(
+    [...buckets].map(([key, values]) => [
+      key,
+      aggregate(values, bucketAggregation),
+    ]),
+  );
+};
+
+// Value given to an empty bucket from the last non-empty one before it.
+export const FILLS = {
+  zero: () => 0,
+  carry: (last) => last,
+};
+
+const fillBuckets = (buckets, { bucket, start, end, fill }) => {
+  const { next } = getBucket(bucket);
+  const rows = [];
+  let last = 0;
+
+  for (let date = start; date <= end; date = next(date)) {
+    const period = date.toISOString();
+
+    if (buckets.has(period)) {
+      last = buckets.get(period);
+      rows.push({ period, value: last });
+    } else {
+      rows.push({ period, value: FILLS[fill](last) });
+    }
+  }
+
+  return rows;
+};
+
+// Sorts every series by period and, when a bucket is given, collapses its
+// rows into that bucket. All series share one bucket range so that they stay
+// aligned on the x axis once the gaps are filled.
+export const prepareSeries = (
+  series,
+  { bucket, fill = "zero", bucketAggregation = "sum" } = {},
+) => {
+  if (!FILLS[fill]) {
+    throw new Error(`Unknown fill "${fill}"`);
+  }
+  if (!bucket) {
+    return series.map((serie) => ({
+      ...serie,
+      rows: [...serie.rows].sort(comparePeriods),
+    }));
+  }
+
+  const bucketed = series.map((serie) =>
+    bucketRows(serie.rows, bucket, bucketAggregation),
+  );
+  const keys = bucketed.flatMap((buckets) => [...buckets.keys()]).sort();
+
+  if (!keys.length) {
+    return series.map((serie) => ({ ...serie, rows: [] }));
+  }
+
+  const start = new Date(keys[0]);
+  const end = new Date(keys[keys.length - 1]);
+
+  return series.map((serie, index) => ({
+    ...serie,
+    rows: fillBuckets(bucketed[index], { bucket, start, end, fill }),
+  }));
+};
+
+// Periods that follow the last one, for projections. Without a bucket the
+// data is assumed to be monthly, as the default month/year labels imply.
+export const nextPeriods = (period, count, bucket = "month") => {
+  const date = new Date(period);
+
+  if (Number.isNaN(date.getTime())) {
+    return Array.from({ length: count }, (_, index) => `+${index + 1}`);
+  }
+
+  const { floor, next } = getBucket(bucket);
+  const periods = [];
+  let current = floor(date);
+  while (periods.length < count) {
+    current = next(current);
+    periods.push(current.toISOString());
+  }
+  return periods;
+};
@@ -0,0 +1,86 @@
+const escapeCsv = (value) => {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per period and one column per series, in the order the series are
+// drawn.
+export const toCsv = (points) => {
+  const periods = [
+    ...new Set(points.flatMap((serie) => serie.data.map((d) => d.x))),
+  ];
+  const header = ["period", ...points.map((serie) => serie.id)];
+  const rows = periods.map((period) => [
+    period,
+    ...points.map((serie) => serie.data.find((d) => d.x === period)?.y),
+  ]);
+
+  return [header, ...rows]
+    .map((row) => row.map(escapeCsv).join(","))
+    .join("\n");
+};
+
+export const toFilename = (label, extension) =>
+  `${String(label || "chart")
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-|-$/g, "")}.${extension}`;
+
+export const download = (blob, filename) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoking synchronously can cancel the download in Firefox and Safari.
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+const serializeSvg = (svg) => {
+  const clone = svg.cloneNode(true);
+  clone.setAttribute("xmlns", "http://www.w3.org/2000/svg");
+  return new XMLSerializer().serializeToString(clone);
+};
+
+export const exportCsv = (points, filename) =>
+  download(new Blob([toCsv(points)], { type: "text/csv" }), filename);
+
+export const exportSvg = (svg, filename) =>
+  download(new Blob([serializeSvg(svg)], { type: "image/svg+xml" }), filename);
+
+export const exportPng = (svg, filename, scale = 2) =>
+  new Promise((resolve, reject) => {
+    const { width, height } = svg.getBoundingClientRect();
+    const url = URL.createObjectURL(
+      new Blob([serializeSvg(svg)], { type: "image/svg+xml" }),
+    );
+    const image = new Image();
+
+    image.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+
+      const context = canvas.getContext("2d");
+      context.scale(scale, scale);
+      context.drawImage(image, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+
+      canvas.toBlob((blob) => {
+        if (!blob) {
+          reject(new Error("Could not render the chart as PNG"));
+          return;
+        }
+        download(blob, filename);
+        resolve();
+      }, "image/png");
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not load the chart SVG"));
+    };
+    image.src = url;
+  });
@@ -0,0 +1,112 @@
+import { nextPeriods } from "./lineBuckets";
+
+const Z_SCORES = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.96,
+  0.99: 2.5758,
+};
+
+const mean = (values) =>
+  values.reduce((acc, current) => current + acc, 0) / values.length;
+
+const standardError = (errors) =>
+  errors.length > 1
+    ? Math.sqrt(
+        errors.reduce((acc, error) => acc + error * error, 0) /
+          (errors.length - 1),
+      )
+    : 0;
+
+const linear = (values, { periods }) => {
+  const n = values.length;
+  const xMean = (n - 1) / 2;
+  const yMean = mean(values);
+  const sxx = values.reduce((acc, _, x) => acc + (x - xMean) ** 2, 0);
+  const slope =
+    values.reduce((acc, y, x) => acc + (x - xMean) * (y - yMean), 0) / sxx;
+  const intercept = yMean - slope * xMean;
+  const error = standardError(
+    values.map((y, x) => y - (intercept + slope * x)),
+  );
+
+  return Array.from({ length: periods }, (_, step) => {
+    const x = n + step;
+    return {
+      value: intercept + slope * x,
+      spread: error * Math.sqrt(1 + 1 / n + (x - xMean) ** 2 / sxx),
+    };
+  });
+};
+
+const movingAverage = (values, { periods, window = 3 }) => {
+  if (!Number.isInteger(window) || window < 1) {
+    throw new Error(
+      `Moving average window must be a positive integer, got ${window}`,
+    );
+  }
+
+  const size = Math.min(window, values.length);
+  const errors = values
+    .slice(size)
+    .map((y, index) => y - mean(values.slice(index, index + size)));
+  const error = standardError(errors);
+  const value = mean(values.slice(-size));
+
+  return Array.from({ length: periods }, (_, step) => ({
+    value,
+    spread: error * Math.sqrt(step + 1),
+  }));
+};
+
+const exponential = (values, { periods, alpha = 0.5 }) => {
+  if (!(alpha > 0 && alpha <= 1)) {
+    throw new Error(`Smoothing alpha must be in (0, 1], got ${alpha}`);
+  }
+
+  const errors = [];
+  const level = values.slice(1).reduce((current, y) => {
+    errors.push(y - current);
+    return alpha * y + (1 - alpha) * current;
+  }, values[0]);
+  const error = standardError(errors);
+
+  return Array.from({ length: periods }, (_, step) => ({
+    value: level,
+    spread: error * Math.sqrt(1 + step * alpha * alpha),
+  }));
+};
+
+export const TRENDS = { linear, movingAverage, exponential };
+
+// Projects the next periods of a series with a symmetric confidence band
+// built from the spread of the in-sample one-step errors.
+export const project = (
+  rows,
+  { trend = "linear", periods = 3, confidence = 0.95, bucket, ...options } = {},
+) => {
+  if (!TRENDS[trend]) {
+    throw new Error(`Unknown trend "${trend}"`);
+  }
+  if (!Z_SCORES[confidence]) {
+    throw new Error(
+      `Unsupported confidence ${confidence}, use one of ${Object.keys(Z_SCORES).join(", ")}`,
+    );
+  }
+  if (rows.length < 2 || periods < 1) {
+    return [];
+  }
+
+  const z = Z_SCORES[confidence];
+  const labels = nextPeriods(rows[rows.length - 1].period, periods, bucket);
+
+  return TRENDS[trend](
+    rows.map((row) => row.value),
+    { periods, ...options },
+  ).map(({ value, spread }, index) => ({
+    period: labels[index],
+    value,
+    lower: value - z * spread,
+    upper: value + z * spread,
+  }));
+};
@@ -0,0 +1,63 @@
+import { aggregate, baseline, percentChange } from "./lineStats";
+
+export const SERIES_COLORS = [
+  "#26de81",
+  "#4b7bec",
+  "#fd9644",
+  "#a55eea",
+  "#fc5c65",
+  "#2bcbba",
+  "#fed330",
+  "#778ca3",
+];
+
+const toArray = (value) => (Array.isArray(value) ? value : [value]);
+
+export const buildSeries = (
+  data = [],
+  metric,
+  groupBy,
+  palette = SERIES_COLORS,
+) => {
+  const metrics = toArray(metric).filter(Boolean);
+  const groups = new Map();
+
+  data.forEach((row) => {
+    const group = groupBy ? row[groupBy] : undefined;
+
+    metrics.forEach((name) => {
+      const id =
+        group === undefined
+          ? name
+          : metrics.length > 1
+            ? `${group} · ${name}`
+            : String(group);
+
+      if (!groups.has(id)) {
+        groups.set(id, { id, metric: name, group, rows: [] });
+      }
+      groups.get(id).rows.push({ period: row.period, value: row[name] });
+    });
+  });
+
+  return [...groups.values()].map((series, index) => ({
+    ...series,
+    color: palette[index % palette.length],
+  }));
+};
+
+export const summarize = (
+  rows,
+  { aggregation = "sum", comparison = "previous", ...options } = {},
+) => {
+  const values = rows.map((row) => row.value);
+
+  return {
+    amount: aggregate(values, aggregation),
+    latest: values[values.length - 1],
+    delta: percentChange(
+      values[values.length - 1],
+      baseline(values, comparison, options),
+    ),
+  };
+};
@@ -0,0 +1,68 @@
+const sum = (values) => values.reduce((acc, current) => current + acc, 0);
+
+const mean = (values) => sum(values) / values.length;
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+
+  return sorted.length % 2
+    ? sorted[middle]
+    : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+export const AGGREGATIONS = {
+  sum,
+  latest: (values) => values[values.length - 1],
+  mean,
+  median,
+  min: (values) => Math.min(...values),
+  max: (values) => Math.max(...values),
+};
+
+export const aggregate = (values, aggregation = "sum") => {
+  if (!values.length) {
+    return undefined;
+  }
+  if (!AGGREGATIONS[aggregation]) {
+    throw new Error(`Unknown aggregation "${aggregation}"`);
+  }
+
+  return AGGREGATIONS[aggregation](values);
+};
+
+export const COMPARISONS = {
+  previous: (values) => values[values.length - 2],
+  yearOverYear: (values, { periodsPerYear = 12 } = {}) =>
+    values[values.length - 1 - periodsPerYear],
+  first: (values) => (values.length > 1 ? values[0] : undefined),
+  rolling: (values, { rollingPeriods = 3 } = {}) => {
+    const window = values.slice(-1 - rollingPeriods, -1);
+    return window.length ? mean(window) : undefined;
+  },
+};
+
+export const baseline = (values, comparison = "previous", options) => {
+  if (!COMPARISONS[comparison]) {
+    throw new Error(`Unknown comparison "${comparison}"`);
+  }
+
+  return COMPARISONS[comparison](values, options);
+};
+
+// Unrounded percentage change; rounding is left to the render layer. A zero
+// baseline has no meaningful percentage change, so it is reported as
+// ±Infinity (or no change when both sides are zero) instead of NaN.
+export const percentChange = (latest, base) => {
+  if (base === undefined || base === null || latest === undefined) {
+    return null;
+  }
+  if (base === 0) {
+    if (latest === 0) {
+      return 0;
+    }
+    return latest > 0 ? Infinity : -Infinity;
+  }
+
+  return (100 * (latest - base)) / Math.abs(base);
+};
@@ -0,0 +1,78 @@
+import { toBucketKey } from "./lineBuckets";
+
+export const TARGET_COLORS = {
+  marker: "#717d86",
+  event: "#a5b1c2",
+  below: "#fc5c65",
+};
+
+// A target is met when the value is on its `good` side, which is "above" for
+// goals and "below" for thresholds such as error rates or latency.
+export const isOnTarget = (value, { value: target, good = "above" }) =>
+  good === "below" ? value <= target : value >= target;
+
+export const targetStatus = (value, target) => {
+  if (!target || value === undefined || value === null) {
+    return null;
+  }
+  return isOnTarget(value, target) ? "on-target" : "off-target";
+};
+
+export const buildMarkers = ({
+  targets = [],
+  events = [],
+  bucket,
+  colors = TARGET_COLORS,
+}) => [
+  {
+    axis: "y",
+    lineStyle: {
+      stroke: colors.marker,
+      strokeWidth: 1.5,
+    },
+    value: 0,
+  },
+  ...targets.map((target) => ({
+    axis: "y",
+    value: target.value,
+    legend: target.label,
+    legendPosition: "top-left",
+    lineStyle: {
+      stroke: target.color ?? colors.marker,
+      strokeWidth: 1,
+      strokeDasharray: "4 4",
+    },
+    textStyle: {
+      fill: target.color ?? colors.marker,
+      fontSize: 10,
+    },
+  })),
+  ...events.map((event) => ({
+    axis: "x",
+    value: bucket ? toBucketKey(event.period, bucket) : event.period,
+    legend: event.label,
+    legendPosition: "top-right",
+    legendOrientation: "vertical",
+    lineStyle: {
+      stroke: event.color ?? colors.event,
+      strokeWidth: 1,
+    },
+    textStyle: {
+      fill: event.color ?? colors.event,
+      fontSize: 10,
+    },
+  })),
+];
+
+// Keeps every target inside the y scale, even when the data never gets near
+// it. `lows` are values that may dip below zero, such as projection bands.
+// The scale always spans zero, and flat data (all zeros) still gets a
+// non-empty range.
+export const yExtent = (values, targets = [], lows = []) => {
+  const goals = targets.map((target) => target.value);
+  const min = Math.min(0, ...values, ...goals, ...lows);
+  const top = values.length ? Math.max(0, ...values) * 1.5 : 10000;
+  const max = goals.length ? Math.max(top, Math.max(...goals) * 1.1) : top;
+
+  return { min, max: max > min ? max : min + 1 };
+};
@@ -0,0 +1,72 @@
+import React, { createContext, useContext } from "react";
+import { SERIES_COLORS } from "./lineSeries";
+import { TARGET_COLORS } from "./lineTargets";
+
+export const DEFAULT_LINE_THEME = {
+  palette: SERIES_COLORS,
+  colors: {
+    ...TARGET_COLORS,
+    text: "#2d3436",
+  },
+  darkMode: false,
+  lineWidth: 1.5,
+  margin: { top: 10, right: 10, bottom: 10, left: 10 },
+  locale: "en-US",
+  currency: undefined,
+  compact: false,
+};
+
+export const DARK_LINE_COLORS = {
+  marker: "#a5b1c2",
+  event: "#778ca3",
+  below: "#ff7979",
+  text: "#f5f6fa",
+};
+
+export const LineThemeContext = createContext(DEFAULT_LINE_THEME);
+
+// Fills in whatever a caller leaves out, so a provider only has to name the
+// settings it changes.
+export const resolveLineTheme = (theme = {}) => {
+  const darkMode = theme.darkMode ?? DEFAULT_LINE_THEME.darkMode;
+
+  return {
+    ...DEFAULT_LINE_THEME,
+    ...theme,
+    colors: {
+      ...DEFAULT_LINE_THEME.colors,
+      ...(darkMode ? DARK_LINE_COLORS : {}),
+      ...theme.colors,
+    },
+    margin: { ...DEFAULT_LINE_THEME.margin, ...theme.margin },
+  };
+};
+
+export const LineThemeProvider = ({ theme, children }) => (
+  <LineThemeContext.Provider value={resolveLineTheme(theme)}>
+    {children}
+  </LineThemeContext.Provider>
+);
+
+export const useLineTheme = () => useContext(LineThemeContext);
+
+export const formatNumber = (value, theme = DEFAULT_LINE_THEME) => {
+  if (value === undefined || value === null) {
+    return "0";
+  }
+
+  return new Intl.NumberFormat(theme.locale, {
+    style: theme.currency ? "currency" : "decimal",
+    currency: theme.currency,
+    notation: theme.compact ? "compact" : "standard",
+    maximumFractionDigits: theme.maximumFractionDigits,
+  }).format(value);
+};
+
+// Magnitude of a percentage change, to one decimal place; the sign and the
+// percent sign are rendered separately.
+export const formatDelta = (delta, theme = DEFAULT_LINE_THEME) =>
+  new Intl.NumberFormat(theme.locale, {
+    minimumFractionDigits: 1,
+    maximumFractionDigits: 1,
+  }).format(Math.abs(delta));
@@ -0,0 +1,90 @@
+import { describe, expect, it } from 'vitest';
+import {
+    add,
+    subtract,
+    multiply,
+    divide,
+    modulus,
+    power,
+    squareRoot,
+    absolute,
+    round,
+    floor,
+    ceiling,
+    log,
+    sin,
+    isMathError,
+    MathError,
+    MathErrorCode,
+    MathResult,
+} from './math';
+
+function expectError(result: MathResult, code: MathErrorCode): void {
+    expect(result).toBeInstanceOf(MathError);
+    expect((result as MathError).code).toBe(code);
+}
+
+describe('math', () => {
+    it('returns plain numbers for valid inputs', () => {
+        expect(add(5, 3)).toBe(8);
+        expect(subtract(5, 3)).toBe(2);
+        expect(multiply(5, 3)).toBe(15);
+        expect(divide(6, 3)).toBe(2);
+        expect(modulus(5, 3)).toBe(2);
+        expect(modulus(-5, 3)).toBe(-2);
+        expect(power(5, 3)).toBe(125);
+        expect(power(4, 0.5)).toBe(2);
+        expect(squareRoot(25)).toBe(5);
+        expect(squareRoot(0)).toBe(0);
+        expect(absolute(-5)).toBe(5);
+        expect(round(5.4)).toBe(5);
+        expect(round(5.5)).toBe(6);
+        expect(floor(5.8)).toBe(5);
+        expect(ceiling(5.2)).toBe(6);
+        expect(log(Math.E)).toBe(1);
+        expect(sin(Math.PI / 2)).toBe(1);
+    });
+
+    it('rejects division and modulus by zero', () => {
+        expectError(divide(1, 0), 'DIVIDE_BY_ZERO');
+        expectError(divide(0, 0), 'DIVIDE_BY_ZERO');
+        expectError(modulus(1, 0), 'DIVIDE_BY_ZERO');
+    });
+
+    it('rejects square roots of negative numbers', () => {
+        expectError(squareRoot(-1), 'NEGATIVE_SQUARE_ROOT');
+    });
+
+    it('rejects logarithms of non-positive numbers', () => {
+        expectError(log(0), 'NON_POSITIVE_LOGARITHM');
+        expectError(log(-1), 'NON_POSITIVE_LOGARITHM');
+    });
+
+    it('rejects results that are not finite', () => {
+        expectError(power(-8, 0.5), 'NON_FINITE_RESULT');
+        expectError(power(10, 400), 'NON_FINITE_RESULT');
+        expectError(multiply(1e308, 10), 'NON_FINITE_RESULT');
+        expectError(add(Number.MAX_VALUE, Number.MAX_VALUE), 'NON_FINITE_RESULT');
+        expectError(divide(1, 1e-320), 'NON_FINITE_RESULT');
+    });
+
+    it('rejects inputs that are not finite before checking the domain', () => {
+        expectError(modulus(Infinity, 2), 'NON_FINITE_INPUT');
+        expectError(squareRoot(NaN), 'NON_FINITE_INPUT');
+        expectError(log(NaN), 'NON_FINITE_INPUT');
+        expectError(log(-Infinity), 'NON_FINITE_INPUT');
+        expectError(divide(NaN, 0), 'NON_FINITE_INPUT');
+        expectError(sin(Infinity), 'NON_FINITE_INPUT');
+    });
+
+    it('narrows results with isMathError', () => {
+        const ok = divide(6, 3);
+        const failed = divide(6, 0);
+
+        expect(isMathError(ok)).toBe(false);
+        expect(isMathError(failed)).toBe(true);
+        if (isMathError(failed)) {
+            expect(failed.message).toBe('Cannot divide 6 by zero');
+        }
+    });
+});
@@ -0,0 +1,239 @@
+export type MathErrorCode =
+    | 'DIVIDE_BY_ZERO'
+    | 'NEGATIVE_SQUARE_ROOT'
+    | 'NON_POSITIVE_LOGARITHM'
+    | 'NON_FINITE_INPUT'
+    | 'NON_FINITE_RESULT';
+
+/**
+ * @description error returned, rather than thrown, by every operation whose inputs
+ * or result are not finite real numbers, so that callers never see `NaN` or `Infinity`.
+ */
+export class MathError extends Error {
+    readonly code: MathErrorCode;
+
+    constructor(code: MathErrorCode, message: string) {
+        super(message);
+        this.name = 'MathError';
+        this.code = code;
+    }
+}
+
+export type MathResult = number | MathError;
+
+/**
+ * @description narrows a `MathResult` to the error case.
+ *
+ * @param { MathResult } result - value returned by one of the math operations.
+ *
+ * @returns { boolean } whether `result` is a `MathError`.
+ */
+export function isMathError(result: MathResult): result is MathError {
+    return result instanceof MathError;
+}
+
+/**
+ * @description wraps a computed value, turning `NaN` and `Infinity` into a
+ * `NON_FINITE_RESULT` error.
+ *
+ * @param { number } value - raw result of a `Math` call.
+ *
+ * @returns { MathResult } `value` itself when it is finite, otherwise an error.
+ */
+function finite(value: number): MathResult {
+    return Number.isFinite(value)
+        ? value
+        : new MathError('NON_FINITE_RESULT', `Result is not a finite number: ${value}`);
+}
+
+/**
+ * @description rejects non-finite inputs, then runs `compute` and checks that its
+ * result is finite too. Domain errors returned by `compute` pass through unchanged.
+ *
+ * @param { number[] } inputs - arguments of the operation.
+ *
+ * @param { () => MathResult } compute - the operation itself.
+ *
+ * @returns { MathResult } the finite result, or the first error found.
+ */
+function guard(inputs: number[], compute: () => MathResult): MathResult {
+    const invalid = inputs.find((input) => !Number.isFinite(input));
+    if (invalid !== undefined) {
+        return new MathError('NON_FINITE_INPUT', `Input is not a finite number: ${invalid}`);
+    }
+
+    const result = compute();
+    return isMathError(result) ? result : finite(result);
+}
+
+/**
+ * @description takes two numerical arguments and returns their sum.
+ *
+ * @param { number } a - 1st numerical value to be added to the `b` input parameter.
+ *
+ * @param { number } b - 2nd number to be added to the first number provided in the
+ * `a` input parameter, and its value is used in the calculation of the function's output.
+ *
+ * @returns { MathResult } the sum of its two input arguments.
+ */
+export function add(a: number, b: number): MathResult {
+    return guard([a, b], () => a + b);
+}
+
+/**
+ * @description subtracts `b` from `a`.
+ *
+ * @param { number } a - minuend.
+ *
+ * @param { number } b - subtrahend.
+ *
+ * @returns { MathResult } the difference `a - b`.
+ */
+export function subtract(a: number, b: number): MathResult {
+    return guard([a, b], () => a - b);
+}
+
+/**
+ * @description multiplies its two arguments.
+ *
+ * @param { number } a - 1st factor.
+ *
+ * @param { number } b - 2nd factor.
+ *
+ * @returns { MathResult } the product `a * b`.
+ */
+export function multiply(a: number, b: number): MathResult {
+    return guard([a, b], () => a * b);
+}
+
+/**
+ * @description divides `a` by `b`.
+ *
+ * @param { number } a - dividend.
+ *
+ * @param { number } b - divisor; zero yields a `DIVIDE_BY_ZERO` error.
+ *
+ * @returns { MathResult } the quotient `a / b`.
+ */
+export function divide(a: number, b: number): MathResult {
+    return guard([a, b], () =>
+        b === 0 ? new MathError('DIVIDE_BY_ZERO', `Cannot divide ${a} by zero`) : a / b,
+    );
+}
+
+/**
+ * @description computes the remainder of `a` divided by `b`, keeping the sign of `a`
+ * like the `%` operator.
+ *
+ * @param { number } a - dividend.
+ *
+ * @param { number } b - divisor; zero yields a `DIVIDE_BY_ZERO` error.
+ *
+ * @returns { MathResult } the remainder `a % b`.
+ */
+export function modulus(a: number, b: number): MathResult {
+    return guard([a, b], () =>
+        b === 0 ? new MathError('DIVIDE_BY_ZERO', `Cannot take ${a} modulo zero`) : a % b,
+    );
+}
+
+/**
+ * @description raises `base` to the power of `exponent`.
+ *
+ * @param { number } base - number to be raised.
+ *
+ * @param { number } exponent - power to raise `base` to.
+ *
+ * @returns { MathResult } `base ** exponent`, or a `NON_FINITE_RESULT` error when it
+ * overflows or has no real value, such as `power(-8, 0.5)`.
+ */
+export function power(base: number, exponent: number): MathResult {
+    return guard([base, exponent], () => Math.pow(base, exponent));
+}
+
+/**
+ * @description computes the square root of `a`.
+ *
+ * @param { number } a - radicand; negative values yield a `NEGATIVE_SQUARE_ROOT` error.
+ *
+ * @returns { MathResult } the non-negative square root of `a`.
+ */
+export function squareRoot(a: number): MathResult {
+    return guard([a], () =>
+        a < 0
+            ? new MathError('NEGATIVE_SQUARE_ROOT', `Cannot take the square root of ${a}`)
+            : Math.sqrt(a),
+    );
+}
+
+/**
+ * @description returns the absolute value of `a`.
+ *
+ * @param { number } a - input number.
+ *
+ * @returns { MathResult } `a` without its sign.
+ */
+export function absolute(a: number): MathResult {
+    return guard([a], () => Math.abs(a));
+}
+
+/**
+ * @description rounds `a` to the nearest integer, with halves rounded up.
+ *
+ * @param { number } a - input number.
+ *
+ * @returns { MathResult } the nearest integer to `a`.
+ */
+export function round(a: number): MathResult {
+    return guard([a], () => Math.round(a));
+}
+
+/**
+ * @description rounds `a` down to the nearest integer.
+ *
+ * @param { number } a - input number.
+ *
+ * @returns { MathResult } the largest integer less than or equal to `a`.
+ */
+export function floor(a: number): MathResult {
+    return guard([a], () => Math.floor(a));
+}
+
+/**
+ * @description rounds `a` up to the nearest integer.
+ *
+ * @param { number } a - input number.
+ *
+ * @returns { MathResult } the smallest integer greater than or equal to `a`.
+ */
+export function ceiling(a: number): MathResult {
+    return guard([a], () => Math.ceil(a));
+}
+
+/**
+ * @description computes the natural logarithm of `a`.
+ *
+ * @param { number } a - input number; zero and negative values yield a
+ * `NON_POSITIVE_LOGARITHM` error.
+ *
+ * @returns { MathResult } the natural logarithm of `a`.
+ */
+export function log(a: number): MathResult {
+    return guard([a], () =>
+        a <= 0
+            ? new MathError('NON_POSITIVE_LOGARITHM', `Cannot take the logarithm of ${a}`)
+            : Math.log(a),
+    );
+}
+
+/**
+ * @description takes a `number` input, `a`, and returns its sine value using the
+ * `Math.sin()` method.
+ *
+ * @param { number } a - angle in radians for which the sine is calculated.
+ *
+ * @returns { MathResult } the sine of the input number.
+ */
+export function sin(a: number): MathResult {
+    return guard([a], () => Math.sin(a));
+}
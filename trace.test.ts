@@ -0,0 +1,204 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { describe, expect, it } from 'vitest';
+import { createTracer, TraceRecord, TracerOptions } from './trace';
+
+// A clock that advances by one millisecond every time it is read.
+function tracerWithClock(options: TracerOptions = {}) {
+    let time = 0;
+    return createTracer({ now: () => time++, ...options });
+}
+
+function names(records: TraceRecord[]): unknown[] {
+    return records.map((record) => [record.name, record.depth, names(record.children)]);
+}
+
+const tick = (): Promise<void> => new Promise((resolve) => setTimeout(resolve, 0));
+
+describe('trace', () => {
+    it('records nesting, depth, arguments and results', () => {
+        const tracer = tracerWithClock();
+        const inner = tracer.wrap((value: number): number => value * 2, 'inner');
+        const outer = tracer.wrap(
+            (value: number): number => inner(value) + inner(value + 1),
+            'outer',
+        );
+
+        expect(outer(1)).toBe(6);
+        expect(names(tracer.roots())).toEqual([
+            [
+                'outer',
+                0,
+                [
+                    ['inner', 1, []],
+                    ['inner', 1, []],
+                ],
+            ],
+        ]);
+
+        const [root] = tracer.roots();
+        expect(root.args).toEqual([1]);
+        expect(root.result).toBe(6);
+        expect(root.children.map((child) => child.result)).toEqual([2, 4]);
+        expect(tracer.exportTree().split('\n')).toEqual([
+            'outer(1) → 6 [5.000ms]',
+            '  inner(1) → 2 [1.000ms]',
+            '  inner(2) → 4 [1.000ms]',
+        ]);
+    });
+
+    it('records thrown errors and rethrows them', () => {
+        const tracer = tracerWithClock();
+        const fail = tracer.wrap((): never => {
+            throw new Error('boom');
+        }, 'fail');
+
+        expect(() => fail()).toThrow('boom');
+        expect(tracer.roots()[0].error).toBe('boom');
+    });
+
+    it('records calls made after an await as roots without a context', async () => {
+        const tracer = tracerWithClock();
+        const inner = tracer.wrap((): number => 1, 'inner');
+        const outer = tracer.wrap(async (): Promise<number> => {
+            const before = inner();
+            await tick();
+            return before + inner();
+        }, 'outer');
+
+        expect(await outer()).toBe(2);
+        await tick();
+        expect(names(tracer.roots())).toEqual([
+            ['outer', 0, [['inner', 1, []]]],
+            ['inner', 0, []],
+        ]);
+        expect(tracer.roots()[0].result).toBe(2);
+    });
+
+    it('keeps async calls nested with a context', async () => {
+        const tracer = tracerWithClock({ context: new AsyncLocalStorage<TraceRecord>() });
+        const inner = tracer.wrap(async (value: number): Promise<number> => {
+            await tick();
+            return value;
+        }, 'inner');
+        const outer = tracer.wrap(async (): Promise<number> => {
+            const [a, b] = await Promise.all([inner(1), inner(2)]);
+            await tick();
+            return a + b + (await inner(3));
+        }, 'outer');
+
+        expect(await outer()).toBe(6);
+        expect(names(tracer.roots())).toEqual([
+            [
+                'outer',
+                0,
+                [
+                    ['inner', 1, []],
+                    ['inner', 1, []],
+                    ['inner', 1, []],
+                ],
+            ],
+        ]);
+        expect(tracer.roots()[0].children.map((child) => child.result)).toEqual([1, 2, 3]);
+    });
+
+    it('starts a fresh trace when cleared while a call is running', () => {
+        const tracer = tracerWithClock();
+        const inner = tracer.wrap((): void => {}, 'inner');
+        const outer = tracer.wrap((): void => {
+            inner();
+            tracer.clear();
+            inner();
+        }, 'outer');
+
+        outer();
+        inner();
+        expect(names(tracer.roots())).toEqual([
+            ['inner', 0, []],
+            ['inner', 0, []],
+        ]);
+    });
+
+    it('exports complete Chrome trace events in microseconds', () => {
+        const tracer = tracerWithClock();
+        const inner = tracer.wrap((): string => 'done', 'inner');
+        const outer = tracer.wrap((): string => inner(), 'outer');
+
+        outer();
+        expect(JSON.parse(tracer.exportChromeTrace())).toEqual({
+            traceEvents: [
+                {
+                    name: 'outer',
+                    cat: 'function',
+                    ph: 'X',
+                    ts: 0,
+                    dur: 3000,
+                    pid: 1,
+                    tid: 1,
+                    args: { args: [], depth: 0, result: 'done' },
+                },
+                {
+                    name: 'inner',
+                    cat: 'function',
+                    ph: 'X',
+                    ts: 1000,
+                    dur: 1000,
+                    pid: 1,
+                    tid: 1,
+                    args: { args: [], depth: 1, result: 'done' },
+                },
+            ],
+        });
+    });
+
+    it('snapshots values and never changes the behavior of a traced call', async () => {
+        const tracer = tracerWithClock();
+        const hostile = {
+            get broken(): never {
+                throw new Error('getter');
+            },
+        };
+        const identity = tracer.wrap(<T>(value: T): T => value, 'identity');
+        const resolve = tracer.wrap(async <T>(value: T): Promise<T> => value, 'resolve');
+
+        const list = [1, 2];
+        const circular: Record<string, unknown> = { list };
+        circular.self = circular;
+
+        expect(identity(hostile)).toBe(hostile);
+        expect(await resolve(hostile)).toBe(hostile);
+        identity(circular);
+        list.push(3);
+
+        const [sync, async, copied] = tracer.roots();
+        expect(sync.args).toEqual(['[Unserializable]']);
+        expect(sync.result).toBe('[Unserializable]');
+        expect(async.result).toBe('[Unserializable]');
+        expect(copied.args).toEqual([{ list: [1, 2], self: '[Circular]' }]);
+        expect(() => tracer.exportJSON()).not.toThrow();
+    });
+
+    it('truncates large and deeply nested values', () => {
+        const tracer = tracerWithClock({ maxDepth: 2, maxItems: 3 });
+        const identity = tracer.wrap(<T>(value: T): T => value, 'identity');
+
+        identity(Array.from({ length: 200000 }, (_, index) => index));
+        identity({ a: { b: { c: 1 } } });
+        identity({ a: 1, b: 2, c: 3, d: 4, e: 5 });
+        identity(new Set([1, 2, 3, 4]));
+
+        expect(tracer.roots().map((record) => record.result)).toEqual([
+            [0, 1, 2, '… 199997 more'],
+            { a: { b: '…' } },
+            { a: 1, b: 2, c: 3, '…': '2 more' },
+            [1, 2, 3, '… 1 more'],
+        ]);
+    });
+
+    it('is a no-op when disabled', () => {
+        const tracer = createTracer({ enabled: false });
+        const fn = (): number => 1;
+
+        expect(tracer.wrap(fn)).toBe(fn);
+        expect(tracer.roots()).toEqual([]);
+    });
+});
@@ -0,0 +1,334 @@
+export interface TraceRecord {
+    id: number;
+    name: string;
+    args: unknown[];
+    result?: unknown;
+    error?: string;
+    depth: number;
+    start: number;
+    end?: number;
+    duration?: number;
+    children: TraceRecord[];
+}
+
+/** The part of Node's `AsyncLocalStorage` the tracer needs. */
+export interface TraceContext {
+    getStore(): TraceRecord | undefined;
+    run<R>(store: TraceRecord, callback: () => R): R;
+}
+
+export interface TracerOptions {
+    /** When false the tracer is a no-op: `wrap` returns functions untouched. */
+    enabled?: boolean;
+    /** Clock in milliseconds; defaults to `performance.now`. */
+    now?: () => number;
+    /**
+     * Tracks the current call across `await`s, e.g. `new AsyncLocalStorage()`.
+     * Without it, nesting is only recorded for synchronous calls: a traced call
+     * made after an `await` is recorded as a root.
+     */
+    context?: TraceContext;
+    /** Levels of nested objects and arrays kept in recorded values; deeper ones become `'…'`. */
+    maxDepth?: number;
+    /** Items kept per array, set, map or object in recorded values; the rest are summarized. */
+    maxItems?: number;
+}
+
+interface SnapshotLimits {
+    maxDepth: number;
+    maxItems: number;
+}
+
+export interface Tracer {
+    readonly enabled: boolean;
+    wrap<A extends unknown[], R>(fn: (...args: A) => R, name?: string): (...args: A) => R;
+    roots(): TraceRecord[];
+    exportTree(): string;
+    exportJSON(): string;
+    exportChromeTrace(): string;
+    clear(): void;
+}
+
+/**
+ * @description takes the first `count` items of an iterable without walking the rest.
+ *
+ * @param { Iterable<T> } items - array, set or map entries.
+ *
+ * @param { number } count - number of items to keep.
+ *
+ * @returns { T[] } at most `count` items, in iteration order.
+ */
+function take<T>(items: Iterable<T>, count: number): T[] {
+    const taken: T[] = [];
+    for (const item of items) {
+        if (taken.length === count) {
+            break;
+        }
+        taken.push(item);
+    }
+    return taken;
+}
+
+/**
+ * @description copies a value into plain JSON data when it is recorded, so later
+ * mutation does not rewrite history and exports cannot throw. Circular references,
+ * BigInts, functions, symbols and non-finite numbers become descriptive strings, and
+ * large or deeply nested values are truncated. Never throws: a value that cannot be
+ * read, such as one with a throwing getter, is recorded as `'[Unserializable]'`.
+ *
+ * @param { unknown } value - argument or return value of a traced call.
+ *
+ * @param { SnapshotLimits } limits - how deep and how wide to copy.
+ *
+ * @param { object[] } ancestors - objects on the path to `value`, to detect cycles.
+ *
+ * @returns { unknown } a JSON-serializable copy of `value`.
+ */
+function snapshot(value: unknown, limits: SnapshotLimits, ancestors: object[] = []): unknown {
+    try {
+        switch (typeof value) {
+            case 'bigint':
+                return `${value}n`;
+            case 'function':
+                return `[Function ${value.name || 'anonymous'}]`;
+            case 'symbol':
+                return value.toString();
+            case 'number':
+                return Number.isFinite(value) ? value : String(value);
+            case 'object':
+                break;
+            default:
+                return value;
+        }
+
+        if (value === null) {
+            return null;
+        }
+        if (ancestors.includes(value)) {
+            return '[Circular]';
+        }
+        if (value instanceof Date) {
+            return Number.isNaN(value.getTime()) ? 'Invalid Date' : value.toISOString();
+        }
+        if (value instanceof Error) {
+            return { name: value.name, message: value.message };
+        }
+        if (ancestors.length >= limits.maxDepth) {
+            return '…';
+        }
+
+        const path = [...ancestors, value];
+        const list = (items: Iterable<unknown>, size: number): unknown[] => {
+            const copied = take(items, limits.maxItems).map((item) => snapshot(item, limits, path));
+            return size > copied.length ? [...copied, `… ${size - copied.length} more`] : copied;
+        };
+
+        if (value instanceof Map) {
+            return list(value, value.size);
+        }
+        if (value instanceof Set) {
+            return list(value, value.size);
+        }
+        if (Array.isArray(value)) {
+            return list(value, value.length);
+        }
+
+        const object = value as Record<string, unknown>;
+        const keys = Object.keys(object);
+        const copied = Object.fromEntries(
+            keys.slice(0, limits.maxItems).map((key) => [key, snapshot(object[key], limits, path)]),
+        );
+        return keys.length > limits.maxItems
+            ? { ...copied, '…': `${keys.length - limits.maxItems} more` }
+            : copied;
+    } catch {
+        return '[Unserializable]';
+    }
+}
+
+/**
+ * @description reads the message of a thrown or rejected value without throwing itself.
+ *
+ * @param { unknown } error - whatever the traced call threw.
+ *
+ * @returns { string } the error message, or `'[Unserializable]'` if it cannot be read.
+ */
+function errorMessage(error: unknown): string {
+    try {
+        return error instanceof Error ? error.message : String(error);
+    } catch {
+        return '[Unserializable]';
+    }
+}
+
+/**
+ * @description formats a value for the indented tree, keeping it on one line.
+ *
+ * @param { unknown } value - argument or return value of a traced call.
+ *
+ * @returns { string } a short, JSON-like rendering of `value`.
+ */
+function describe(value: unknown): string {
+    if (value === undefined) {
+        return 'undefined';
+    }
+    return JSON.stringify(value) ?? String(value);
+}
+
+/**
+ * @description renders one record and its children as indented lines, two spaces
+ * per nesting level.
+ *
+ * @param { TraceRecord } record - call to render.
+ *
+ * @returns { string[] } one line per call in the subtree.
+ */
+function treeLines(record: TraceRecord): string[] {
+    const outcome = record.error !== undefined ? `threw ${record.error}` : `→ ${describe(record.result)}`;
+    const duration = record.duration !== undefined ? ` [${record.duration.toFixed(3)}ms]` : '';
+    const line = `${'  '.repeat(record.depth)}${record.name}(${record.args.map(describe).join(', ')}) ${outcome}${duration}`;
+
+    return [line, ...record.children.flatMap(treeLines)];
+}
+
+/**
+ * @description flattens a record and its children in call order.
+ *
+ * @param { TraceRecord } record - root of the subtree.
+ *
+ * @returns { TraceRecord[] } `record` followed by all of its descendants.
+ */
+function flatten(record: TraceRecord): TraceRecord[] {
+    return [record, ...record.children.flatMap(flatten)];
+}
+
+const NOOP_TRACER: Tracer = {
+    enabled: false,
+    wrap: (fn) => fn,
+    roots: () => [],
+    exportTree: () => '',
+    exportJSON: () => '[]',
+    exportChromeTrace: () => JSON.stringify({ traceEvents: [] }),
+    clear: () => undefined,
+};
+
+/**
+ * @description creates a tracer that records entry and exit, arguments, return values,
+ * duration and nesting depth of every call made through a function it wrapped.
+ *
+ * @param { TracerOptions } options - `enabled: false` returns a shared no-op tracer,
+ * for production builds.
+ *
+ * @returns { Tracer } the tracer, with its own call tree.
+ */
+export function createTracer({
+    enabled = true,
+    now = () => performance.now(),
+    context,
+    maxDepth = 5,
+    maxItems = 100,
+}: TracerOptions = {}): Tracer {
+    if (!enabled) {
+        return NOOP_TRACER;
+    }
+
+    let roots: TraceRecord[] = [];
+    // Records of the current trace; calls still running from before a `clear`
+    // are left out, so their children are recorded as roots.
+    let live = new WeakSet<TraceRecord>();
+    const stack: TraceRecord[] = [];
+    let nextId = 1;
+    const limits: SnapshotLimits = { maxDepth, maxItems };
+
+    const finish = (record: TraceRecord, outcome: { result?: unknown; error?: unknown }): void => {
+        record.end = now();
+        record.duration = record.end - record.start;
+        if ('error' in outcome) {
+            record.error = errorMessage(outcome.error);
+        } else {
+            record.result = snapshot(outcome.result, limits);
+        }
+    };
+
+    return {
+        enabled,
+
+        wrap<A extends unknown[], R>(fn: (...args: A) => R, name = fn.name || 'anonymous') {
+            return function traced(this: unknown, ...args: A): R {
+                const current = context ? context.getStore() : stack[stack.length - 1];
+                const parent = current && live.has(current) ? current : undefined;
+                const record: TraceRecord = {
+                    id: nextId++,
+                    name,
+                    args: args.map((arg) => snapshot(arg, limits)),
+                    depth: parent ? parent.depth + 1 : 0,
+                    start: now(),
+                    children: [],
+                };
+                (parent ? parent.children : roots).push(record);
+                live.add(record);
+                if (!context) {
+                    stack.push(record);
+                }
+
+                try {
+                    const result = context
+                        ? context.run(record, () => fn.apply(this, args))
+                        : fn.apply(this, args);
+
+                    // Async calls leave the synchronous stack when they return their
+                    // promise, but their exit is recorded once it settles.
+                    if (result instanceof Promise) {
+                        result.then(
+                            (value) => finish(record, { result: value }),
+                            (error) => finish(record, { error }),
+                        );
+                    } else {
+                        finish(record, { result });
+                    }
+                    return result;
+                } catch (error) {
+                    finish(record, { error });
+                    throw error;
+                } finally {
+                    // `clear` may have emptied the stack while this call was running.
+                    if (stack[stack.length - 1] === record) {
+                        stack.pop();
+                    }
+                }
+            };
+        },
+
+        roots: () => roots,
+
+        exportTree: () => roots.flatMap(treeLines).join('\n'),
+
+        exportJSON: () => JSON.stringify(roots, null, 2),
+
+        // Complete ("X") events in microseconds, loadable in chrome://tracing or
+        // the Perfetto UI.
+        exportChromeTrace: () =>
+            JSON.stringify({
+                traceEvents: roots.flatMap(flatten).map((record) => ({
+                    name: record.name,
+                    cat: 'function',
+                    ph: 'X',
+                    ts: record.start * 1000,
+                    dur: (record.duration ?? 0) * 1000,
+                    pid: 1,
+                    tid: 1,
+                    args: {
+                        args: record.args,
+                        depth: record.depth,
+                        ...(record.error !== undefined ? { error: record.error } : { result: record.result }),
+                    },
+                })),
+            }),
+
+        clear: () => {
+            roots = [];
+            live = new WeakSet();
+            stack.length = 0;
+        },
+    };
+}